@@ -1,59 +1,479 @@
-function RamState() {
+function RamState(options = {}) {
 
-    const version = "v3.0.0",   /* Library version */
-        allStates = new Set(),  /* Keep track of all states (useState & useButton) */
-        scheduleJob = (() => {  /* Group schedule to minimize re-renders */
-            let queue = new Set(), flushing = false;
-            const flush = () => {
-                queue.forEach(fn => fn());
-                queue.clear();
-                flushing = false;
-            };
-            return job => {
+    // options: { debug, equals, immutable, onError, rethrow, scheduler, root } (see README)
+
+    // HELPER: resolve a scheduler option ("microtask" | "frame" | "idle" | custom fn) into a defer function
+    const resolveDefer = mode => {
+        if (typeof mode === "function") return mode;
+        if (mode === "frame" && typeof requestAnimationFrame === "function") return fn => requestAnimationFrame(() => fn());
+        if (mode === "idle" && typeof requestIdleCallback === "function") return fn => requestIdleCallback(() => fn());
+        if (mode != null && !["microtask", "frame", "idle"].includes(mode)) console.warn(`Unknown scheduler "${mode}", using "microtask"`);
+        return fn => Promise.resolve().then(fn);
+    };
+
+    // HELPER: group jobs to minimize re-renders, flushed in topological order (parent queue first)
+    const createScheduler = (mode, parent = null) => {
+        const defer = resolveDefer(mode);
+        let queue = new Set(), waiting = [], pending = false;
+        const maxRuns = 100; // per job and flush, like React's "maximum update depth"
+        const flush = (memosOnly = false) => {
+            parent?.flush(true); // the default queue's memos settle before overridden effects run
+            // always run the lowest level first: memos settle before any effect/watcher sees them
+            let failed = false, error;
+            const runs = new Map();
+            while (queue.size) {
+                let job = null;
+                queue.forEach(j => { if (!job || j.level < job.level) job = j; });
+                if (memosOnly && job.level === Infinity) return;
+                // a job that keeps re-triggering itself (e.g. an effect writing its own dependency): dropped & reported once, the rest still runs
+                const count = (runs.get(job) ?? 0) + 1;
+                runs.set(job, count);
+                queue.delete(job);
+                if (count > maxRuns) {
+                    if (count > maxRuns + 1) continue;
+                    try {
+                        handleError(new Error(`Maximum update depth exceeded: a memo/effect re-ran more than ${maxRuns} times in one flush, check for a set() of its own dependency`), job.context ?? {});
+                    } catch (err) {
+                        if (!failed) [failed, error] = [true, err];
+                    }
+                    continue;
+                }
+                try {
+                    if (!job.disposed) safeExec(job.run, undefined, job.context);
+                } catch (err) {
+                    if (!failed) [failed, error] = [true, err]; // rethrow mode: finish the flush, then throw
+                }
+            }
+            pending = false;
+            waiting.splice(0).forEach(resolve => resolve());
+            if (failed) throw error;
+        };
+        return {
+            flush,
+            schedule(job) {
                 queue.add(job);
-                if (!flushing) {
-                    flushing = true;
-                    Promise.resolve().then(flush);
+                if (!pending) {
+                    pending = true;
+                    defer(() => flush());
                 }
-            };
-        })();
+            },
+            tick: () => new Promise(resolve => pending ? waiting.push(resolve) : resolve())
+        };
+    };
 
-    // HELPER: deep equality
-    const isEqual = (a, b) => {
+    const version = "v3.0.0",   /* Library version */
+        allStates = new Set(),  /* Keep track of all states (useState & useButton) */
+        nodes = new WeakMap(),  /* state/memo API → dependency graph node */
+        readonlyViews = new WeakMap(), /* value → its read-only view (immutable: "freeze") */
+        rawValues = new WeakMap(),     /* read-only view → value */
+        storeMeta = new WeakMap(),     /* useStore object → { proxy, self, keys, parents } */
+        storeRaw = new WeakMap(),      /* useStore proxy → object */
+        pendingCommits = new Map(), /* state commit → value before the running batch() */
+        scheduler = createScheduler(options.scheduler), /* Default queue for memos & effects */
+        effectSchedulers = new Map(),   /* Per-effect scheduler overrides, by mode */
+        entries = new Map(),    /* state/memo API (effect stop handle) → { id, type, name, target, node, sideEffect, writable } */
+        registry = new Map(),   /* name → its entry (named states, memos & effects) */
+        inspectors = new Set(); /* devtools listeners of register / unregister / set events */
+
+    let activeObserver = null,  /* Memo/effect node currently running its factory or callback */
+        entryId = 0,            /* Last id handed to a registry entry */
+        activeScope = null,     /* Teardown list of the scope currently running (createScope) */
+        batchDepth = 0;         /* Nesting level of batch() calls */
+
+    // HELPER: deep equality (Map, Set, Date, RegExp, typed arrays, class instances & circular references)
+    const isEqual = (a, b, seen = new Map()) => {
         if (a === b) return true;
-        if (a == null || b == null || typeof a !== typeof b) return false;
-        if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((v, i) => isEqual(v, b[i]));
-        if (typeof a === "object") {
-            const keysA = Object.keys(a), keysB = Object.keys(b);
-            return keysA.length === keysB.length && keysA.every(k => isEqual(a[k], b[k]));
+        if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return a !== a && b !== b; // NaN
+        if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+        // circular references: a pair on the recursion stack is assumed equal (only while it is being compared)
+        if (seen.get(a)?.has(b)) return true;
+        if (!seen.has(a)) seen.set(a, new Set());
+        seen.get(a).add(b);
+        try {
+            return isEqualObject(a, b, seen);
+        } finally {
+            seen.get(a).delete(b);
         }
-        return false;
-    }
+    };
 
-    // HELPER: Safely run callback or cleanup
-    const safeExec = (cb, payload) => {
+    // HELPER: deep equality of two non-null objects with the same prototype
+    const isEqualObject = (a, b, seen) => {
+        if (a instanceof Date) return a.getTime() === b.getTime();
+        if (a instanceof RegExp) return a.source === b.source && a.flags === b.flags;
+        if (a instanceof ArrayBuffer) return isEqual(new Uint8Array(a), new Uint8Array(b), seen);
+        if (a instanceof DataView) return isEqual(new Uint8Array(a.buffer, a.byteOffset, a.byteLength), new Uint8Array(b.buffer, b.byteOffset, b.byteLength), seen);
+        if (ArrayBuffer.isView(a)) return a.length === b.length && a.every((v, i) => Object.is(v, b[i]));
+        if (a instanceof Map) {
+            if (a.size !== b.size) return false;
+            for (const [k, v] of a) if (!b.has(k) || !isEqual(v, b.get(k), seen)) return false;
+            return true;
+        }
+        if (a instanceof Set) {
+            if (a.size !== b.size) return false;
+            // items without an identical match are paired one-to-one with an equal item of b
+            const rest = [...b].filter(w => !a.has(w));
+            for (const v of a) {
+                if (b.has(v)) continue;
+                const i = rest.findIndex(w => isEqual(v, w, seen));
+                if (i < 0) return false;
+                rest.splice(i, 1);
+            }
+            return true;
+        }
+        if (Array.isArray(a)) return a.length === b.length && a.every((v, i) => isEqual(v, b[i], seen));
+
+        // plain objects & class instances (same prototype): own enumerable keys
+        const keysA = Object.keys(a), keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(k => Object.prototype.hasOwnProperty.call(b, k) && isEqual(a[k], b[k], seen));
+    };
+
+    // HELPER: shallow equality (same prototype; own keys, Map entries & Set items compared by identity, Date/RegExp by value)
+    const isShallowEqual = (a, b) => {
+        if (Object.is(a, b)) return true;
+        if (typeof a !== "object" || typeof b !== "object" || a == null || b == null) return false;
+        if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+        if (a instanceof Date) return Object.is(a.getTime(), b.getTime());
+        if (a instanceof RegExp) return a.source === b.source && a.flags === b.flags;
+        if (a instanceof Map) return a.size === b.size && [...a].every(([k, v]) => b.has(k) && Object.is(v, b.get(k)));
+        if (a instanceof Set) return a.size === b.size && [...a].every(v => b.has(v));
+        const keysA = Object.keys(a), keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(k => Object.prototype.hasOwnProperty.call(b, k) && Object.is(a[k], b[k]));
+    };
+
+    // HELPER: resolve an equals option ("deep" | "shallow" | "identity" | custom fn) into a comparator
+    const resolveEquals = (mode, fallback) => {
+        if (typeof mode === "function") return mode;
+        if (mode == null) return fallback;
+        const comparator = { deep: isEqual, shallow: isShallowEqual, identity: Object.is }[mode];
+        if (!comparator) console.warn(`Unknown equals mode "${mode}", using the default`);
+        return comparator ?? fallback;
+    };
+
+    // default equality of every state (options.equals overrides the deep check)
+    const equals = resolveEquals(options.equals, isEqual);
+
+    // HELPER: deep clone (keeps prototypes, Map, Set, Date, RegExp, typed arrays & circular references)
+    const deepClone = (value, seen = new WeakMap()) => {
+        value = rawValues.get(value) ?? value; // read-only views clone their target
+        if (typeof value !== "object" || value === null) return value;
+        if (seen.has(value)) return seen.get(value);
+
+        let clone;
+        if (value instanceof Date) clone = new Date(value.getTime());
+        else if (value instanceof RegExp) clone = new RegExp(value.source, value.flags);
+        else if (value instanceof DataView) clone = new DataView(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+        else if (ArrayBuffer.isView(value)) clone = value.slice();
+        else if (value instanceof Map) clone = new Map();
+        else if (value instanceof Set) clone = new Set();
+        else clone = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+        seen.set(value, clone);
+
+        if (value instanceof Map) value.forEach((v, k) => clone.set(deepClone(k, seen), deepClone(v, seen)));
+        else if (value instanceof Set) value.forEach(v => clone.add(deepClone(v, seen)));
+        else if (!ArrayBuffer.isView(value) && !(value instanceof Date) && !(value instanceof RegExp)) {
+            Object.keys(value).forEach(k => clone[k] = deepClone(value[k], seen));
+        }
+        return clone;
+    };
+
+    // HELPER: deep read-only view, every mutation throws a helpful error
+    const readonly = value => {
+        if (typeof value !== "object" || value === null || rawValues.has(value)) return value;
+        if (readonlyViews.has(value)) return readonlyViews.get(value);
+
+        const fail = key => { throw new TypeError(`RamState: state values are immutable, use set() instead of mutating "${String(key)}"`); };
+        // Map, Set, Date & typed arrays keep their data in internal slots: call methods on the target itself
+        const slots = value instanceof Map || value instanceof Set || value instanceof Date || ArrayBuffer.isView(value);
+        const isMutator = key => typeof key === "string" && /^(set.*|add|delete|clear|fill|copyWithin|reverse|sort)$/.test(key);
+        // Map & Set hand out their items through get, forEach and iterators: those stay read-only too
+        const collection = value instanceof Map || value instanceof Set;
+        const isIterator = key => key === Symbol.iterator || key === "values" || key === "keys" || key === "entries";
+        const unwrap = args => args.map(arg => rawValues.get(arg) ?? arg); // read-only keys find their item
+
+        const view = new Proxy(value, {
+            get(target, key) {
+                const v = Reflect.get(target, key, slots ? target : view);
+                // proxy invariant: a non-writable, non-configurable property (e.g. Object.freeze) must be returned as is
+                const desc = Reflect.getOwnPropertyDescriptor(target, key);
+                if (desc && "value" in desc && !desc.writable && !desc.configurable) return v;
+                if (!slots || typeof v !== "function") return readonly(v);
+                if (isMutator(key)) return () => fail(key);
+                if (key === "subarray") return (...args) => readonly(v.apply(target, args)); // shares the buffer
+                if (!collection) return v.bind(target);
+                if (key === "forEach") return (cb, thisArg) => v.call(target, (item, k) => cb.call(thisArg, readonly(item), readonly(k), view));
+                if (isIterator(key)) return () => {
+                    const it = v.call(target);
+                    return {
+                        next() { const r = it.next(); return r.done ? r : { done: false, value: readonly(r.value) }; },
+                        [Symbol.iterator]() { return this; },
+                    };
+                };
+                return (...args) => readonly(v.apply(target, unwrap(args)));
+            },
+            set: (target, key) => fail(key),
+            deleteProperty: (target, key) => fail(key),
+            defineProperty: (target, key) => fail(key),
+            setPrototypeOf: () => fail("prototype"),
+        });
+        readonlyViews.set(value, view);
+        rawValues.set(view, value);
+        return view;
+    };
+
+    // HELPER: report an error to onError (per effect, then per instance) or the console
+    const handleError = (error, { onError, ...context }) => {
+        const handler = onError ?? options.onError;
+        if (typeof handler === "function") handler(error, context);
+        else console.error("RamState execution error:", error, context);
+        if (options.rethrow) throw error;
+    };
+
+    // HELPER: Safely run callback or cleanup, context = { type, phase, target } of the failing callback
+    const safeExec = (cb, payload, context = {}) => {
         try {
             if (typeof cb !== "function") return null;
             const result = payload !== undefined ? cb(payload) : cb();
+            if (typeof result?.then === "function") result.then(null, err => handleError(err, context)); // async callback
             return typeof result === "function" ? result : null;
         } catch (err) {
-            console.error("RamState execution error:", err);
+            handleError(err, context);
             return null;
         }
     };
 
+    // HELPER: run the pending cleanup of a watcher/effect once
+    const runCleanup = w => {
+        const cleanup = w.cleanup;
+        w.cleanup = null;
+        safeExec(cleanup, undefined, { ...w.context, phase: "cleanup" });
+    };
+
+    // HELPER: run a watcher/effect callback, keeping the cleanup it returns
+    const runCallback = (w, payload) => { w.cleanup = safeExec(w.cb, payload, { ...w.context, phase: "callback" }); };
+
     // HELPER: convert to array
     const toArray = x => Array.isArray(x) ? x : [x];
 
-    // HELPER: get DOM elements and return as array
-    const getDomElements = (input = null) => {
+    // HELPER: create a dependency graph node (level 0 = state, memos sit above their sources, effects run last)
+    const createNode = (run = null, level = 0) => ({ run, level, auto: false, disposed: false, sources: new Set(), observers: new Set(), foreign: [] });
+
+    // HELPER: connect / disconnect a memo or effect to a source node
+    const link = (source, observer) => { source.observers.add(observer); observer.sources.add(source); };
+    const unlinkAll = observer => { observer.sources.forEach(s => s.observers.delete(observer)); observer.sources.clear(); };
+
+    // HELPER: detach a node from every dependency and dependent, and skip its pending run
+    const disposeNode = node => {
+        node.disposed = true;
+        unlinkAll(node);
+        node.observers.forEach(o => o.sources.delete(node));
+        node.observers.clear();
+        node.foreign.splice(0).forEach(off => off());
+    };
+
+    // HELPER: place a memo one level above its highest source
+    const updateLevel = (observer, stack = new Set()) => {
+        if (observer.level === Infinity || stack.has(observer)) return; // stack: a memo reading itself
+        const prev = observer.level;
+        observer.level = 0;
+        observer.sources.forEach(s => observer.level = Math.max(observer.level, s.level + 1));
+        if (observer.level === prev) return;
+        stack.add(observer);
+        observer.observers.forEach(o => updateLevel(o, stack)); // dependents move with it
+        stack.delete(observer);
+    };
+
+    // HELPER: schedule every memo/effect depending on a node
+    const notify = node => node.observers.forEach(schedule);
+
+    // HELPER: queue a job on its own scheduler (per-effect override) or the default one
+    const schedule = job => (job.scheduler ?? scheduler).schedule(job);
+
+    // HELPER: register a read with the running "auto" memo/effect
+    const track = source => { if (activeObserver?.auto && !source.disposed) link(source, activeObserver); };
+
+    // HELPER: run fn as observer (null = untracked), "auto" observers collect their sources again on every run
+    const runTracked = (observer, fn) => {
+        const prev = activeObserver;
+        activeObserver = observer;
+        if (observer?.auto) unlinkAll(observer);
+        try { return fn(); } finally {
+            activeObserver = prev;
+            if (observer?.auto) updateLevel(observer);
+        }
+    };
+
+    // HELPER: subscribe an observer to its deps, either explicit or auto-tracked on every run
+    const subscribeDeps = (observer, deps) => {
+        if (deps === "auto") return observer.auto = true;
+        toArray(deps).forEach(dep => {
+            const source = nodes.get(dep);
+            if (source) return link(source, observer);
+            // foreign dep (custom object or another RamState instance): fall back to its public watchers
+            const off = (typeof dep.watchEffect === "function" ? dep.watchEffect : dep.watch)?.(() => schedule(observer));
+            if (typeof off === "function") observer.foreign.push(off);
+        });
+        updateLevel(observer);
+    };
+
+    // HELPER: read a state/memo value without subscribing the running memo/effect
+    const untracked = api => {
+        const prev = activeObserver;
+        activeObserver = null;
+        try { return api.value; } finally { activeObserver = prev; }
+    };
+
+    // HELPER: hand a teardown to the running scope (if any), returns a handle that also leaves the scope when called
+    const own = teardown => {
+        const scope = activeScope;
+        if (!scope) return teardown;
+        const handle = () => {
+            const i = scope.indexOf(handle);
+            if (i >= 0) scope.splice(i, 1);
+            return teardown();
+        };
+        scope.push(handle);
+        return handle;
+    };
+
+    // HELPER: hand an event to every devtools listener, a failing listener never breaks the app
+    const inspect = event => inspectors.forEach(fn => safeExec(fn, event, { type: "devtools", phase: "callback", target: fn }));
+
+    // HELPER: list a state/memo/effect (by name if given), returns its unregister handle
+    const register = (type, target, name = null, info = {}) => {
+        const entry = { id: ++entryId, type, name, target, ...info };
+        entries.set(target, entry);
+        if (name != null) {
+            if (registry.has(name)) console.warn(`Duplicate name "${name}", the previous ${registry.get(name).type} is no longer reachable by getState()`);
+            registry.set(name, entry);
+        }
+        if (inspectors.size) inspect({ kind: "register", entry });
+        return () => {
+            if (entries.get(target) !== entry) return;
+            entries.delete(target);
+            if (registry.get(name) === entry) registry.delete(name);
+            if (inspectors.size) inspect({ kind: "unregister", entry });
+        };
+    };
+
+    // HELPER: add a watcher to a list, returns its unsubscribe handle
+    const addWatcher = (list, watcher) => {
+        list.push(watcher);
+        return own(() => {
+            const i = list.indexOf(watcher);
+            if (i < 0) return;
+            list.splice(i, 1);
+            runCleanup(watcher);
+        });
+    };
+
+    // HELPER: unsubscribe every watcher of a list, running their cleanups
+    const clearWatchers = list => list.splice(0).forEach(runCleanup);
+
+    // HELPER: run cleanup then callback of every watcher still subscribed
+    const runWatchers = (list, getData) => [...list].forEach(w => {
+        if (!list.includes(w)) return; // unsubscribed by an earlier watcher
+        runCleanup(w);
+        runCallback(w, getData());
+        if (!list.includes(w)) runCleanup(w); // unsubscribed itself while running
+    });
+
+    // HELPER: normalize a path ("user.address.0" or ["user", "address", 0]) into keys
+    const toPath = path => Array.isArray(path) ? path : String(path).split(".").filter(Boolean);
+
+    // HELPER: read a nested value
+    const getIn = (obj, keys) => keys.reduce((o, k) => o?.[k], obj);
+
+    // HELPER: copy every object along the path, replacing the nested value
+    const assocIn = (obj, [key, ...rest], value) => {
+        if (key === undefined) return value;
+        const copy = Array.isArray(obj) ? [...obj] : obj == null && /^\d+$/.test(key) ? [] : { ...obj }; // missing + index → array
+        copy[key] = assocIn(obj?.[key], rest, value);
+        return copy;
+    };
+
+    // HELPER: plain objects & arrays become nested stores, anything else (Map, Date, class instances...) stays opaque
+    const isPlainObject = v => Array.isArray(v) || (v !== null && typeof v === "object" && [Object.prototype, null].includes(Object.getPrototypeOf(v)));
+
+    // HELPER: reactive proxy of a store object; every key has its own node, "self" changes on any write below it
+    const toStore = (target, parent = null) => {
+        let meta = storeMeta.get(target);
+        if (!meta) {
+            meta = { self: createNode(), keys: new Map(), parents: new Set() };
+            meta.proxy = new Proxy(target, storeHandlers);
+            storeMeta.set(target, meta);
+            storeRaw.set(meta.proxy, target);
+            nodes.set(meta.proxy, meta.self); // deps arrays: [store] or [store.some.path]
+        }
+        if (parent) meta.parents.add(parent);
+        return meta.proxy;
+    };
+
+    // HELPER: node of a store key (ownKeys() iteration uses the STORE_KEYS key)
+    const STORE_KEYS = Symbol("keys");
+    const keyNode = (target, key) => {
+        const { keys } = storeMeta.get(target);
+        if (!keys.has(key)) keys.set(key, createNode());
+        return keys.get(key);
+    };
+
+    // HELPER: notify readers of the written keys, then dependents of the object and every ancestor
+    const notifyStore = (target, keys, seen = new Set()) => {
+        const meta = storeMeta.get(target);
+        keys.forEach(key => { const node = meta.keys.get(key); if (node) notify(node); });
+        const bubble = t => {
+            if (seen.has(t)) return;
+            seen.add(t);
+            notify(storeMeta.get(t).self);
+            storeMeta.get(t).parents.forEach(bubble);
+        };
+        bubble(target);
+    };
+
+    const storeHandlers = {
+        get(target, key, receiver) {
+            if (typeof key !== "symbol") track(keyNode(target, key));
+            const value = Reflect.get(target, key, receiver);
+            return isPlainObject(value) ? toStore(value, target) : value;
+        },
+        has(target, key) {
+            track(keyNode(target, key));
+            return Reflect.has(target, key);
+        },
+        ownKeys(target) {
+            track(keyNode(target, STORE_KEYS));
+            return Reflect.ownKeys(target);
+        },
+        set(target, key, value) {
+            value = storeRaw.get(value) ?? value;
+            const had = Object.prototype.hasOwnProperty.call(target, key), prev = target[key], length = target.length;
+            if (had && Object.is(prev, value)) return true;
+            if (!Reflect.set(target, key, value)) return false;
+            if (isPlainObject(prev)) storeMeta.get(prev)?.parents.delete(target); // detached from this parent
+            const keys = [key];
+            if (!had) keys.push(STORE_KEYS);
+            if (Array.isArray(target) && key !== "length" && target.length !== length) keys.push("length");
+            notifyStore(target, keys);
+            return true;
+        },
+        deleteProperty(target, key) {
+            const had = Object.prototype.hasOwnProperty.call(target, key);
+            if (!Reflect.deleteProperty(target, key)) return false;
+            if (had) notifyStore(target, [key, STORE_KEYS]);
+            return true;
+        },
+    };
+
+    // HELPER: get DOM elements and return as array, selectors are queried inside root (element or selector)
+    const getDomElements = (input = null, root = options.root) => {
         if (!input) return [];
         if (input instanceof HTMLElement) return [input];
-        if (typeof input === "string") return [...document.querySelectorAll(input)];
+        const scope = (typeof root === "string" ? document.querySelector(root) : root) ?? document;
+        if (typeof input === "string") return [...scope.querySelectorAll(input)];
         if (Array.isArray(input)) {
             return input.flatMap(
                 item => item instanceof HTMLElement ? [item] :
-                    typeof item === "string" ? [...document.querySelectorAll(item)] : []
+                    typeof item === "string" ? [...scope.querySelectorAll(item)] : []
             );
         }
         return [];
@@ -115,126 +535,804 @@ function RamState() {
         }
     };
 
+    // HELPER: initialize bound elements from value, forward their input/change events; returns unbind functions
+    const bindDom = (dom, value, onInput) => dom.flatMap(el => {
+        syncDomModel(el, value);
+        const listener = () => onInput(extractDomValue(el), el);
+        return ['input', 'change'].map(evt => {
+            el.addEventListener(evt, listener);
+            return () => el.removeEventListener(evt, listener);
+        });
+    });
+
     // API: useState
-    function useState(initialValue, selectorsOrDom = null) {
+    function useState(initialValue, selectorsOrDom = null, opt = {}) {
+
+        // immutable: "freeze" hands out read-only views, "clone" copies on every read & write
+        const immutable = (opt.immutable ?? options.immutable) === true ? "freeze" : (opt.immutable ?? options.immutable);
+        const expose = v => immutable === "freeze" ? readonly(v) : immutable === "clone" ? deepClone(v) : v;
 
-        let data = initialValue;
-        const sideEffect = { onSet: [], onChange: [] }, dom = getDomElements(selectorsOrDom);
+        let data = immutable === "clone" ? deepClone(initialValue) : initialValue;
+        const sideEffect = { onSet: [], onChange: [] }, dom = getDomElements(selectorsOrDom, opt.root ?? options.root), node = createNode(),
+            context = { type: "state", name: opt.name ?? null }, // error context of its watchers
+            isSame = resolveEquals(opt.equals, equals);
 
         // HELPER: Bind state to element if found
-        dom.forEach(el => {
-            syncDomModel(el, data); // initialize DOM from state
-            ['input', 'change'].forEach(evt => el.addEventListener(evt, () => stateAPI.set(extractDomValue(el))));
-        });
+        const unbind = bindDom(dom, data, value => stateAPI.set(value));
 
         // HELPER: Generate watch parameters
-        const getWatchData = hasChange => ({ dom, value: data, hasChange });
+        const getWatchData = hasChange => ({ dom, value: expose(data), hasChange });
 
         // HELPER: Generate watch effects parameters
-        const getWatchEffectData = () => ({ dom, value: data });
+        const getWatchEffectData = () => ({ dom, value: expose(data) });
+
+        // HELPER: sync DOM and notify watchers, comparing against the value before set() (or batch())
+        // untracked: reads inside watchers never subscribe the memo/effect that called set()
+        const commit = prev => runTracked(null, () => {
+            if (node.disposed) return;
+            const hasChange = !isSame(prev, data);
+            if (inspectors.size) inspect({ kind: "set", entry: entries.get(stateAPI), value: data, prev, hasChange });
+
+            // State → DOM
+            dom.forEach(el => syncDomModel(el, data));
+
+            // local watchers (onSet)
+            runWatchers(sideEffect.onSet, () => getWatchData(hasChange));
+
+            // local watchers (onChange only if value changed)
+            if (hasChange) {
+                runWatchers(sideEffect.onChange, getWatchEffectData);
+                notify(node); // memos & effects
+            }
+        });
 
         const stateAPI = {
+            name: opt.name ?? null,
             dom,
-            get value() { return data; },
+            get value() { track(node); return expose(data); },
             set(value) {
-                if (typeof value === "function") value = value(data);
-                const hasChange = !isEqual(data, value);
+                if (node.disposed) return console.warn("set() called on a destroyed state");
+                if (typeof value === "function") value = runTracked(null, () => value(expose(data)));
+                if (immutable === "clone") value = deepClone(value);
+                const prev = data;
                 data = value;
 
-                // State → DOM
-                dom.forEach(el => syncDomModel(el, data));
-
-                // local watchers (onSet)
-                sideEffect.onSet.forEach(w => {
-                    safeExec(w.cleanup);
-                    w.cleanup = safeExec(w.cb, getWatchData(hasChange));
-                });
-
-                // local watchers (onChange only if value changed)
-                if (hasChange) {
-                    sideEffect.onChange.forEach(w => {
-                        safeExec(w.cleanup);
-                        w.cleanup = safeExec(w.cb, getWatchEffectData());
-                    });
+                // inside batch(): keep the first "before" value, commit once at the end
+                if (batchDepth) {
+                    if (!pendingCommits.has(commit)) pendingCommits.set(commit, prev);
+                } else {
+                    commit(prev);
                 }
                 return data;
             },
             watch(cb) {
                 if (typeof cb !== "function") return console.warn("watch callback must be a function");
-                sideEffect.onSet.push({ cb, cleanup: safeExec(cb, getWatchData(false)) });
+                const watcher = { cb, cleanup: null, context };
+                runCallback(watcher, getWatchData(false));
+                return addWatcher(sideEffect.onSet, watcher);
             },
             watchEffect(cb, executeOnMount = false) {
                 if (typeof cb !== "function") return console.warn("watchEffect callback must be a function");
-                const watcher = { cb, cleanup: null };
-                if (executeOnMount) watcher.cleanup = safeExec(cb, getWatchEffectData());
-                sideEffect.onChange.push(watcher);
+                const watcher = { cb, cleanup: null, context };
+                if (executeOnMount) runCallback(watcher, getWatchEffectData());
+                return addWatcher(sideEffect.onChange, watcher);
+            },
+            setIn(path, value) {
+                return stateAPI.set(prev => assocIn(prev, toPath(path), value));
+            },
+            updateIn(path, fn) {
+                if (typeof fn !== "function") return console.warn("updateIn updater must be a function");
+                const keys = toPath(path);
+                return stateAPI.set(prev => assocIn(prev, keys, fn(getIn(prev, keys))));
+            },
+            lens(path, selectorsOrDom = null, lensOpt = {}) {
+                const keys = toPath(path), child = useState(getIn(data, keys), selectorsOrDom, lensOpt);
+                let syncing = false;
+
+                // parent → child, child → parent (syncing avoids echoing the parent's own update back)
+                const offParent = stateAPI.watchEffect(() => {
+                    syncing = true;
+                    try { child.set(getIn(data, keys)); } finally { syncing = false; }
+                });
+                const offChild = child.watchEffect(({ value }) => { if (!syncing) stateAPI.setIn(keys, value); });
+
+                const destroy = child.destroy;
+                child.destroy = () => { offParent(); offChild(); destroy(); };
+                return child;
+            },
+            destroy() {
+                if (node.disposed) return;
+                unbind.splice(0).forEach(off => off());
+                clearWatchers(sideEffect.onSet);
+                clearWatchers(sideEffect.onChange);
+                disposeNode(node);
+                allStates.delete(stateAPI);
+                unregister();
             }
         };
+        context.target = stateAPI;
+        nodes.set(stateAPI, node);
         allStates.add(stateAPI);
+        const unregister = register("state", stateAPI, opt.name, { node, sideEffect });
+        stateAPI.destroy = own(stateAPI.destroy);
         return stateAPI;
     } // useState() end
 
     // API: useMemo
-    function useMemo(factory, deps = []) {
+    function useMemo(factory, deps = [], opt = {}) {
+
+        // writable computed: { get, set }
+        const setter = typeof factory?.set === "function" ? factory.set : null;
+        if (factory !== null && typeof factory === "object") factory = factory.get;
 
         if (typeof factory !== "function") return console.warn("useMemo factory must be a function");
 
-        let memo, sideEffect = [];
+        let memo, dirty = Boolean(opt.lazy), hasChange = false, typing = null; // typing: bound element whose input is being applied
+        const sideEffect = { onSet: [], onChange: [] },
+            context = { type: "memo", name: opt.name ?? null }, // error context of its factory & watchers
+            isSame = resolveEquals(opt.equals, equals), // dependents & watchEffect only run on real changes
+            dom = getDomElements(opt.selectorsOrDom, opt.root ?? options.root);
+
+        // HELPER: recompute now, returns the previous value
+        const compute = () => {
+            const prev = memo;
+            memo = runTracked(node, factory);
+            dirty = false;
+            dom.forEach(el => { if (el !== typing) syncDomModel(el, memo); });
+            return prev;
+        };
+
+        // HELPER: current value, a dirty lazy memo recomputes on read (pull)
+        const read = () => { if (dirty) compute(); return memo; };
+
+        // HELPER: Generate watch parameters
+        const getWatchData = hasChange => ({ dom, value: read(), hasChange });
 
         // HELPER: Generate watch effects parameters
-        const getWatchEffectData = () => ({ value: memo });
-
-        function compute() {
-            memo = factory();
-            // local watchers
-            sideEffect.forEach(w => {
-                safeExec(w.cleanup);
-                w.cleanup = safeExec(w.cb, getWatchEffectData());
-            });
-            return memo;
-        }
+        const getWatchEffectData = () => ({ dom, value: read() });
 
-        // auto-subscribe to deps
-        toArray(deps).forEach(dep => {
-            const fn = () => scheduleJob(compute);
-            (typeof dep.watchEffect === "function" ? dep.watchEffect : dep.watch)?.(fn);
+        // local watchers run with the effects, after every memo has settled
+        const watchers = createNode(() => {
+            const changed = hasChange;
+            hasChange = false;
+            runWatchers(sideEffect.onSet, () => getWatchData(changed));
+            if (changed) runWatchers(sideEffect.onChange, getWatchEffectData);
+        }, Infinity);
+        const hasWatchers = () => sideEffect.onSet.length > 0 || sideEffect.onChange.length > 0;
+
+        const node = createNode(() => {
+            // lazy & nobody needs the value now (no watchers, DOM or eager dependents): only mark dirty
+            if (node.lazy && !hasWatchers() && !dom.length && [...node.observers].every(o => o.lazy)) {
+                dirty = true;
+                return notify(node); // lazy dependents become dirty too
+            }
+            const prev = compute(), changed = !isSame(prev, memo);
+            if (changed) notify(node);
+            hasChange ||= changed; // until the watchers job runs
+            if (hasWatchers()) schedule(watchers);
         });
+        node.lazy = Boolean(opt.lazy);
+        node.context = { ...context, phase: "callback" };
 
-        compute(); // initial compute
+        // subscribe to deps (explicit array or "auto" tracking)
+        subscribeDeps(node, deps);
 
-        return {
-            get value() { return memo; },
+        if (!node.lazy) compute(); // initial compute (lazy: on first read)
+
+        // DOM → setter (writable computed only), the element being typed in is not overwritten by the recompute it causes
+        const unbind = bindDom(dom, dom.length ? read() : memo, (value, el) => {
+            typing = el;
+            memoAPI.set(value);
+            nextTick().then(() => { if (typing === el) typing = null; });
+        });
+
+        const memoAPI = {
+            name: opt.name ?? null,
+            dom,
+            get value() { track(node); return read(); },
+            set(value) {
+                if (!setter) return console.warn("set() called on a read-only memo, use useMemo({ get, set })");
+                if (node.disposed) return console.warn("set() called on a destroyed memo");
+                if (typeof value === "function") value = value(read());
+                batch(() => setter(value)); // sources notify once, the memo recomputes on the next flush
+                return value;
+            },
             watch(cb) {
                 if (typeof cb !== "function") return console.warn("watch callback must be a function");
-                sideEffect.push({ cb, cleanup: safeExec(cb, getWatchEffectData()) });
+                const watcher = { cb, cleanup: null, context };
+                runCallback(watcher, getWatchData(false));
+                return addWatcher(sideEffect.onSet, watcher);
+            },
+            watchEffect(cb, executeOnMount = false) {
+                if (typeof cb !== "function") return console.warn("watchEffect callback must be a function");
+                const watcher = { cb, cleanup: null, context };
+                if (executeOnMount) runCallback(watcher, getWatchEffectData());
+                return addWatcher(sideEffect.onChange, watcher);
+            },
+            unsubscribe() { disposeNode(node); }, // stop recomputing, detach from every dependency
+            destroy() {
+                unbind.splice(0).forEach(off => off());
+                memoAPI.unsubscribe();
+                disposeNode(watchers);
+                clearWatchers(sideEffect.onSet);
+                clearWatchers(sideEffect.onChange);
+                unregister();
             }
         };
+        context.target = node.context.target = memoAPI;
+        nodes.set(memoAPI, node);
+        const unregister = register("memo", memoAPI, opt.name, { node, sideEffect, writable: Boolean(setter), stale: () => dirty });
+        memoAPI.destroy = own(memoAPI.destroy);
+        return memoAPI;
 
     }// useMemo() end
 
     // API: global watcher
-    function useEffect(cb, deps = null) {
+    function useEffect(cb, deps = null, opt = {}) {
 
         if (typeof cb !== "function") return console.warn("useEffect callback must be a function");
 
-        let cleanup;
+        let controller = null;
 
-        function effect() { safeExec(cleanup); cleanup = safeExec(cb); }
+        // async effects: rejections after their own abort are expected (e.g. fetch AbortError)
+        const run = payload => {
+            const result = cb(payload);
+            return typeof result?.then === "function" ? result.catch(err => { if (!payload.signal.aborted) throw err; }) : result;
+        };
+        const effect = { cb: run, cleanup: null, context: { type: "effect", name: opt.name ?? null, target: cb, onError: opt.onError } };
 
-        // attach watchers to deps or all states if deps is undefined
-        toArray(deps === null ? allStates : deps).forEach(dep => {
-            const fn = () => scheduleJob(effect);
-            (typeof dep.watchEffect === "function" ? dep.watchEffect : dep.watch)?.(fn);
-        });
+        // HELPER: abort the signal handed to the previous run
+        const abort = () => { controller?.abort(); controller = null; };
 
-        effect(); // deps is empty array or on-mount
+        const node = createNode(() => {
+            abort();
+            runCleanup(effect);
+            controller = new AbortController();
+            runTracked(node, () => runCallback(effect, { signal: controller.signal }));
+        }, Infinity);
+        node.context = { ...effect.context, phase: "callback" };
+
+        // per-effect scheduler override (one shared queue per mode)
+        if (opt.scheduler != null) {
+            if (!effectSchedulers.has(opt.scheduler)) effectSchedulers.set(opt.scheduler, createScheduler(opt.scheduler, scheduler));
+            node.scheduler = effectSchedulers.get(opt.scheduler);
+        }
+
+        // attach to deps ("auto" tracking, or all states if deps is null)
+        subscribeDeps(node, deps === null ? [...allStates] : deps);
+
+        node.run(); // deps is empty array or on-mount
+
+        // unsubscribe handle: run the pending cleanup and detach from every dependency
+        const stop = own(() => {
+            disposeNode(node);
+            abort();
+            runCleanup(effect);
+            unregister();
+        });
+        const unregister = register("effect", stop, opt.name, { node });
+        return stop;
 
     } // useEffect() end
-    console.log('%cRamState', 'color:cyan', version, 'initialized 🚀');
+
+    // API: state updated through dispatch(action), middleware = [api => next => action => ...]
+    function useReducer(reducer, initialValue, selectorsOrDom = null, opt = {}) {
+
+        if (typeof reducer !== "function") return console.warn("useReducer reducer must be a function");
+
+        const state = useState(initialValue, selectorsOrDom, opt);
+
+        // middleware get the store API, the last one calls the reducer
+        const api = { getState: () => state.value, dispatch: action => dispatch(action) };
+        const dispatch = toArray(opt.middleware ?? []).reduceRight(
+            (next, middleware) => middleware(api)(next),
+            action => { state.set(prev => reducer(prev, action)); return action; }
+        );
+
+        return Object.defineProperty(state, "dispatch", { value: dispatch });
+
+    } // useReducer() end
+
+    // API: undo/redo for a state, every changing set() (or group of sets) is one snapshot
+    function useHistory(state, opt = {}) {
+
+        if (typeof state?.watchEffect !== "function" || typeof state.set !== "function") return console.warn("useHistory expects a state");
+
+        const capacity = opt.capacity ?? 100, past = [], future = [];
+        const flags = useState({ canUndo: false, canRedo: false });
+        let last = state.value, restoring = null, grouping = 0, groupStart, groupChanged = false;
+
+        // HELPER: publish canUndo / canRedo
+        const sync = () => flags.set({ canUndo: past.length > 0, canRedo: future.length > 0 });
+
+        // HELPER: push a snapshot, dropping the oldest past capacity
+        const record = snapshot => {
+            past.push(snapshot);
+            if (past.length > capacity) past.splice(0, past.length - capacity);
+            future.length = 0;
+            sync();
+        };
+
+        const off = state.watchEffect(({ value }) => {
+            const prev = last, expected = restoring;
+            last = value;
+            restoring = null;
+            if (expected && isEqual(value, expected.value)) return; // our own undo/redo
+            if (grouping) return groupChanged = true;
+            record(expected ? expected.value : prev); // changed again after an undo/redo in the same batch
+        });
+
+        // HELPER: move the current value to one stack and restore the top of the other
+        const travel = (from, to) => {
+            if (!from.length) return false;
+            to.push(restoring ? restoring.value : last); // inside batch(), the value restored by a previous undo/redo
+            restoring = { value: from.pop() }; // the value the next commit is expected to carry
+            state.set(restoring.value);
+            if (!batchDepth) restoring = null; // committed (or unchanged) already
+            sync();
+            return true;
+        };
+
+        const history = {
+            get canUndo() { return flags.value.canUndo; },
+            get canRedo() { return flags.value.canRedo; },
+            undo: () => travel(past, future),
+            redo: () => travel(future, past),
+            group(fn) {
+                if (typeof fn !== "function") return console.warn("group callback must be a function");
+                if (!grouping++) [groupStart, groupChanged] = [last, false];
+                try {
+                    return fn();
+                } finally {
+                    if (!--grouping && groupChanged) record(groupStart);
+                }
+            },
+            clear() {
+                past.length = future.length = 0;
+                sync();
+            },
+            watch: flags.watch,
+            watchEffect: flags.watchEffect,
+            destroy() {
+                off();
+                flags.destroy();
+            }
+        };
+        nodes.set(history, nodes.get(flags)); // usable as a dependency: fires when canUndo / canRedo change
+        return history;
+
+    } // useHistory() end
+
+    // API: deep reactive object, writes only re-run the memos/effects that read the written path
+    function useStore(initialValue = {}) {
+
+        if (!isPlainObject(initialValue)) return console.warn("useStore value must be a plain object or array");
+
+        return toStore(storeRaw.get(initialValue) ?? initialValue);
+
+    } // useStore() end
+
+    // API: async data state { data, loading, error }, stale responses are dropped
+    function useResource(fetcher, deps = [], opt = {}) {
+
+        if (typeof fetcher !== "function") return console.warn("useResource fetcher must be a function");
+
+        const resource = useState({ data: opt.initialData ?? null, loading: false, error: null }, null, { name: opt.name });
+        let controller = null;
+
+        // HELPER: only the latest request may settle the resource
+        const load = () => {
+            controller?.abort();
+            const current = controller = new AbortController();
+            resource.set(v => ({ ...v, loading: true, error: null }));
+
+            let result;
+            try { result = fetcher({ signal: current.signal }); } catch (err) { result = Promise.reject(err); }
+
+            return Promise.resolve(result).then(
+                data => { if (current === controller) resource.set({ data, loading: false, error: null }); return data; },
+                error => { if (current === controller) resource.set(v => ({ ...v, loading: false, error })); }
+            );
+        };
+
+        const stop = useEffect(() => {
+            load();
+            return () => { controller?.abort(); controller = null; };
+        }, deps);
+
+        const destroy = resource.destroy;
+
+        return Object.defineProperties(resource, {
+            data: { get: () => resource.value.data },
+            loading: { get: () => resource.value.loading },
+            error: { get: () => resource.value.error },
+            refetch: { value: load },
+            destroy: { value: () => { stop(); destroy(); } },
+        });
+
+    } // useResource() end
+
+    // API: group several set() calls, DOM & local watchers run once when the outermost batch ends
+    function batch(fn) {
+
+        if (typeof fn !== "function") return console.warn("batch callback must be a function");
+
+        batchDepth++;
+        try {
+            return fn();
+        } finally {
+            if (--batchDepth === 0) {
+                const commits = [...pendingCommits];
+                pendingCommits.clear();
+                commits.forEach(([commit, prev]) => commit(prev));
+            }
+        }
+
+    } // batch() end
+
+    // API: resolves once pending memos & effects have flushed
+    function nextTick() {
+        return Promise.all([scheduler, ...effectSchedulers.values()].map(s => s.tick())).then(() => { });
+    } // nextTick() end
+
+    // API: run fn, then flush pending memos & effects right away
+    function flushSync(fn) {
+        try {
+            return typeof fn === "function" ? fn() : undefined;
+        } finally {
+            scheduler.flush();
+            effectSchedulers.forEach(s => s.flush());
+        }
+    } // flushSync() end
+
+    // API: ownership scope, everything created inside is disposed with it
+    function createScope(fn) {
+
+        const owned = [];
+        let disposed = false;
+
+        const scope = {
+            run(cb) {
+                if (disposed) return console.warn("run() called on a disposed scope");
+                const prev = activeScope;
+                activeScope = owned;
+                try { return cb(scope); } finally { activeScope = prev; }
+            },
+            dispose() {
+                if (disposed) return;
+                disposed = true;
+                owned.splice(0).reverse().forEach(teardown => safeExec(teardown, undefined, { type: "scope", phase: "cleanup", target: scope })); // newest first
+            }
+        };
+
+        scope.dispose = own(scope.dispose); // nested scopes are disposed with their parent
+
+        if (typeof fn === "function") scope.run(fn);
+        return scope;
+
+    } // createScope() end
+    // API: a named state/memo (or an effect's stop handle), undefined if none
+    function getState(name) {
+        return registry.get(name)?.target;
+    } // getState() end
+
+    // API: every live state & memo with its current value
+    function listStates() {
+        return [...entries.values()].filter(e => e.type !== "effect").map(({ type, name, target }) => ({ name, type, value: untracked(target), target }));
+    } // listStates() end
+
+    // API: plain { name: value } object of the named states & memos
+    function snapshot() {
+        const values = {};
+        registry.forEach(({ type, name, target }) => { if (type !== "effect") values[name] = untracked(target); });
+        return values;
+    } // snapshot() end
+
+    // API: in-page inspector overlay: states, memos & effects, a timeline of set() calls, live editing
+    function devtools(opt = {}) {
+
+        if (typeof document === "undefined") return console.warn("devtools needs a document");
+
+        const capacity = opt.capacity ?? 100, timeline = [];
+        const mount = (typeof opt.root === "string" ? document.querySelector(opt.root) : opt.root) ?? document.body;
+        let editing = null, draft = "", problem = null, collapsed = false, pending = false, destroyed = false;
+        const expanded = new WeakSet(); // lazy memos the user asked to compute
+
+        // HELPER: element with text & inline style
+        const el = (tag, text = "", style = "") => {
+            const node = document.createElement(tag);
+            node.textContent = text;
+            node.style.cssText = style;
+            return node;
+        };
+        const button = (text, onClick) => {
+            const btn = el("button", text, "margin-left:4px;background:#333;color:#ddd;border:1px solid #555;border-radius:3px;font:inherit;cursor:pointer");
+            btn.addEventListener("click", onClick);
+            return btn;
+        };
+
+        // HELPER: short description of a bound element, e.g. input#search.form-control
+        const describe = node => node.tagName.toLowerCase() + (node.id ? `#${node.id}` : "") + [...node.classList].map(c => `.${c}`).join("");
+
+        // HELPER: printable value (JSON with Map, Set, elements & circular references)
+        const preview = value => {
+            if (value === undefined) return "undefined";
+            const stack = [];
+            try {
+                return JSON.stringify(value, function (key, v) {
+                    if (typeof v === "function") return `ƒ ${v.name || "anonymous"}()`;
+                    if (v === null || typeof v !== "object") return v;
+                    if (v instanceof Element) return `<${describe(v)}>`;
+                    while (stack.length && stack[stack.length - 1] !== this) stack.pop();
+                    if (stack.includes(v)) return "[Circular]";
+                    v = v instanceof Map ? Object.fromEntries(v) : v instanceof Set ? [...v] : v;
+                    stack.push(v);
+                    return v;
+                });
+            } catch {
+                return String(value);
+            }
+        };
+
+        const label = entry => entry.name ?? `${entry.type} #${entry.id}`;
+
+        // HELPER: state/memo row: value, watcher & dependent counts, bound elements, editor
+        const valueRow = entry => {
+            const { target, node, sideEffect } = entry;
+            const row = el("div", "", "border-top:1px solid #333;padding:4px 0");
+            const meta = [`${sideEffect.onSet.length + sideEffect.onChange.length} watchers`, `${node.observers.size} dependents`];
+            if (target.dom.length) meta.push(`dom: ${target.dom.map(describe).join(", ")}`);
+            row.append(el("div", label(entry), "color:#9cdcfe"), el("div", meta.join(" · "), "color:#888"));
+
+            // a dirty lazy memo only computes on demand, reading it here would defeat { lazy: true }
+            if (editing !== entry && entry.stale?.() && !expanded.has(entry)) {
+                row.append(el("div", "(stale)", "color:#888"), button("compute", () => { expanded.add(entry); render(); }));
+                return row;
+            }
+
+            if (editing !== entry) {
+                const text = preview(untracked(target));
+                const value = el("div", text.length > 300 ? `${text.slice(0, 300)}…` : text, "white-space:pre-wrap;word-break:break-all");
+                value.title = text;
+                row.append(value);
+                if (entry.type === "state" || entry.writable) row.append(button("edit", () => {
+                    [editing, draft, problem] = [entry, JSON.stringify(untracked(target), null, 2) ?? "", null];
+                    render();
+                }));
+                return row;
+            }
+
+            // live editing: JSON, applied through set()
+            const input = el("textarea", "", "width:100%;min-height:80px;box-sizing:border-box;background:#111;color:#ddd;font:inherit");
+            input.value = draft;
+            input.addEventListener("input", () => draft = input.value);
+            row.append(input, button("apply", apply), button("cancel", () => { editing = null; render(); }));
+            if (problem) row.append(el("div", problem, "color:#f48771"));
+            return row;
+        };
+
+        // HELPER: effect row: dependency count & tracking mode
+        const effectRow = entry => el("div", `${label(entry)} · ${entry.node.sources.size + entry.node.foreign.length} deps${entry.node.auto ? " (auto)" : ""}`, "border-top:1px solid #333;padding:4px 0;color:#9cdcfe");
+
+        // HELPER: timeline row, newest first
+        const timelineRow = ({ time, entry, value, hasChange }) => el("div",
+            `${new Date(time).toLocaleTimeString()} ${label(entry)} = ${preview(value)}${hasChange ? "" : " (no change)"}`,
+            `border-top:1px solid #333;padding:2px 0;word-break:break-all;color:${hasChange ? "#ddd" : "#888"}`);
+
+        const section = (title, rows) => [el("div", `${title} (${rows.length})`, "margin-top:6px;font-weight:bold;color:#dcdcaa"), ...rows];
+
+        const panel = el("div", "", "position:fixed;right:8px;bottom:8px;z-index:2147483647;width:420px;max-height:60vh;overflow:auto;"
+            + "background:#1e1e1e;color:#ddd;font:12px/1.4 monospace;border-radius:6px;padding:8px;box-shadow:0 2px 12px rgba(0,0,0,.4)");
+        panel.className = "ramstate-devtools";
+
+        // HELPER: rebuild the panel
+        const render = () => {
+            pending = false;
+            if (destroyed) return;
+            const list = [...entries.values()], of = type => list.filter(e => e.type === type);
+            const header = el("div", `RamState ${version} devtools`, "font-weight:bold");
+            header.append(
+                button("clear", () => { timeline.length = 0; render(); }),
+                button(collapsed ? "+" : "–", () => { collapsed = !collapsed; render(); }),
+                button("×", () => tools.destroy())
+            );
+            panel.replaceChildren(header, ...(collapsed ? [] : [
+                ...section("States", of("state").map(valueRow)),
+                ...section("Memos", of("memo").map(valueRow)),
+                ...section("Effects", of("effect").map(effectRow)),
+                ...section("Timeline", timeline.slice().reverse().map(timelineRow)),
+            ]));
+        };
+
+        // HELPER: re-render once pending memos & effects have settled (not while a value is being edited)
+        const refresh = () => {
+            if (pending || editing) return;
+            pending = true;
+            nextTick().then(render);
+        };
+
+        // HELPER: parse the draft and set() it
+        function apply() {
+            let value;
+            try { value = JSON.parse(draft); } catch (err) { problem = err.message; return render(); }
+            const { target } = editing;
+            editing = null;
+            target.set(value);
+            render();
+        }
+
+        const listener = ({ kind, entry, value, prev, hasChange }) => {
+            if (kind === "set") {
+                timeline.push({ time: Date.now(), entry, value, prev, hasChange });
+                if (timeline.length > capacity) timeline.splice(0, timeline.length - capacity);
+            }
+            if (kind === "unregister" && editing === entry) editing = null;
+            refresh();
+        };
+
+        const tools = {
+            element: panel,
+            timeline,
+            refresh: render,
+            destroy() {
+                if (destroyed) return;
+                destroyed = true;
+                inspectors.delete(listener);
+                panel.remove();
+            }
+        };
+
+        inspectors.add(listener);
+        mount.append(panel);
+        render();
+        tools.destroy = own(tools.destroy);
+        return tools;
+
+    } // devtools() end
+
+    // API: bridge to the Redux DevTools extension: named states are the store, every set() is an action
+    function connectReduxDevtools(opt = {}) {
+
+        const { extension = globalThis.__REDUX_DEVTOOLS_EXTENSION__, ...connectOptions } = opt;
+        if (typeof extension?.connect !== "function") {
+            console.warn("Redux DevTools extension not found");
+            return () => { };
+        }
+
+        let applying = false;
+        const initials = new Map(), skipped = new Set();
+
+        // HELPER: JSON-safe copy, Map/Set/Date tagged { __serializedType__, data } like the extension's own serializer; throws on anything else
+        const encode = (value, stack = []) => {
+            if (value === null || typeof value !== "object") {
+                if (["function", "symbol", "bigint"].includes(typeof value)) throw new TypeError(`${typeof value} is not serializable`);
+                return value;
+            }
+            value = rawValues.get(value) ?? value; // read-only views (immutable: "freeze")
+            if (stack.includes(value)) throw new TypeError("circular references are not serializable");
+            const next = [...stack, value];
+            if (value instanceof Date) return { __serializedType__: "Date", data: value.toISOString() };
+            if (value instanceof Map) return { __serializedType__: "Map", data: [...value].map(entry => encode(entry, next)) };
+            if (value instanceof Set) return { __serializedType__: "Set", data: [...value].map(item => encode(item, next)) };
+            if (!isPlainObject(value)) throw new TypeError(`${value.constructor?.name ?? "object"} is not serializable`);
+            if (Array.isArray(value)) return value.map(item => encode(item, next));
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encode(v, next)]));
+        };
+
+        // HELPER: inverse of encode
+        const decode = value => {
+            if (Array.isArray(value)) return value.map(decode);
+            if (value === null || typeof value !== "object") return value;
+            const { __serializedType__: type, data } = value;
+            if (type === "Date") return new Date(data);
+            if (type === "Map") return new Map(data.map(decode));
+            if (type === "Set") return new Set(data.map(decode));
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decode(v)]));
+        };
+
+        // HELPER: encoded value of a named state, undefined (with a warning once) if it can't survive the round trip
+        const serialize = (name, value) => {
+            try {
+                return { value: encode(value) };
+            } catch (err) {
+                if (!skipped.has(name)) console.warn(`Redux DevTools: state "${name}" is skipped, ${err.message}`);
+                skipped.add(name);
+            }
+        };
+
+        // HELPER: { name: encoded value } of the named states (memos are derived, they follow on their own)
+        const tree = () => {
+            const values = {};
+            registry.forEach(({ type, name, target }) => {
+                const encoded = type === "state" && serialize(name, untracked(target));
+                if (encoded) values[name] = encoded.value;
+            });
+            return values;
+        };
+
+        // HELPER: keep the value a named state started with (for RESET), states created later included
+        const remember = ({ type, name, target }) => {
+            if (type !== "state" || name == null || initials.has(name)) return;
+            const encoded = serialize(name, untracked(target));
+            if (encoded) initials.set(name, encoded.value);
+        };
+
+        // HELPER: set() every named state present in the encoded values, as one batch that is not reported back
+        const apply = values => {
+            applying = true;
+            try {
+                batch(() => Object.keys(values ?? {}).forEach(name => {
+                    const entry = registry.get(name);
+                    if (entry?.type === "state") entry.target.set(decode(values[name]));
+                }));
+            } finally {
+                applying = false;
+            }
+        };
+
+        registry.forEach(remember);
+        const devTools = extension.connect({ name: "RamState", ...connectOptions });
+
+        // monitor commands: time travel, reset/commit/rollback, import (export needs nothing from us)
+        const onMessage = message => {
+            if (message.type !== "DISPATCH") return;
+            switch (message.payload?.type) {
+                case "JUMP_TO_STATE":
+                case "JUMP_TO_ACTION":
+                    return apply(JSON.parse(message.state));
+                case "RESET":
+                    apply(Object.fromEntries(initials));
+                    return devTools.init(tree());
+                case "COMMIT":
+                    return devTools.init(tree());
+                case "ROLLBACK":
+                    apply(JSON.parse(message.state));
+                    return devTools.init(tree());
+                case "IMPORT_STATE": {
+                    const { nextLiftedState } = message.payload, computed = nextLiftedState?.computedStates ?? [];
+                    if (computed.length) apply(computed[computed.length - 1].state);
+                    return devTools.send(null, nextLiftedState);
+                }
+            }
+        };
+
+        const listener = ({ kind, entry, value, hasChange }) => {
+            if (kind === "register") return remember(entry);
+            if (kind !== "set" || applying || entry.name == null || registry.get(entry.name) !== entry) return;
+            const encoded = serialize(entry.name, value);
+            if (encoded) devTools.send({ type: `${entry.name}/set`, name: entry.name, value: encoded.value, hasChange }, tree());
+        };
+
+        devTools.init(tree());
+        const unsubscribe = devTools.subscribe(message => safeExec(onMessage, message, { type: "devtools", phase: "callback", target: devTools }));
+        inspectors.add(listener);
+
+        // disconnect handle
+        return own(() => {
+            if (!inspectors.delete(listener)) return;
+            if (typeof unsubscribe === "function") unsubscribe();
+        });
+
+    } // connectReduxDevtools() end
+
+    if (options.debug ?? true) console.log('%cRamState', 'color:cyan', version, 'initialized 🚀');
     return {
         version,
         useState,
         useMemo,
         useEffect,
+        useResource,
+        useReducer,
+        useHistory,
+        useStore,
+        batch,
+        nextTick,
+        flushSync,
+        createScope,
+        getState,
+        listStates,
+        snapshot,
+        devtools,
+        connectReduxDevtools,
     };
 }
\ No newline at end of file